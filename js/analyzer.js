@@ -0,0 +1,185 @@
+/*
+ * Move analysis shared by the browser app and server.js: score
+ * normalisation, move classification, accuracy and the game summary.
+ * Needs chess.js loaded first. All scores are white-relative centipawns,
+ * mate scores are stored as +/-(10000 - moves).
+ *----------------------------------------------------------------------------*/
+
+const Analyzer = {
+    // Converts engine evaluation to white-relative centipawns
+    normalizeScore: function(val, type, turn) {
+        if (type === 'mate') {
+            // Mate positive means white wins, if turn is white.
+            // Stockfish gives mate relative to side to move.
+            // If it's White's turn and score is Mate 3, White matches in 3. (+3000)
+            // If it's Black's turn and score is Mate 3, Black matches in 3. (-3000 for white)
+            let relativeVal = (val > 0) ? (10000 - Math.abs(val)) : (-10000 + Math.abs(val));
+            return (turn === 'w') ? relativeVal : -relativeVal;
+        }
+        // CP
+        return (turn === 'w') ? val : -val;
+    },
+
+    // Engine info result (side-to-move relative) -> white-relative candidate line
+    toWhiteLine: function(data, turn) {
+        return {
+            multipv: data.multipv,
+            depth: data.depth,
+            score: this.normalizeScore(data.val, data.type, turn),
+            type: data.type,
+            line: data.line
+        };
+    },
+
+    // Principal variation in UCI ("e2e4 e7e5") played from fen -> SAN ("e4 e5"),
+    // stopping at the first move that is not legal
+    pvToSan: function(fen, uciLine) {
+        const game = new Chess(fen);
+        const sans = [];
+        for (const uci of (uciLine || '').split(' ').filter(Boolean)) {
+            const move = game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+            if (!move) break;
+            sans.push(move.san);
+        }
+        return sans.join(' ');
+    },
+
+    // Stores the SAN of every line next to its UCI line on an analysis record of fen
+    addSan: function(analysis, fen) {
+        analysis.san = this.pvToSan(fen, analysis.line);
+        (analysis.lines || []).forEach(l => { l.san = this.pvToSan(fen, l.line); });
+        return analysis;
+    },
+
+    // Expected-points thresholds (0..1) of the mover's loss per class
+    thresholds: { best: 0.02, good: 0.05, inaccuracy: 0.10, mistake: 0.20 },
+
+    pieceValues: { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 },
+
+    // Expected points (0..1) for side from a white-relative score
+    expectedPoints: function(score, side) {
+        const wp = this.getWinChance(score) / 100;
+        return (side === 'w') ? wp : 1 - wp;
+    },
+
+    // Material (pawns) the side to move wins by capturing on sq, trading off with
+    // the cheapest attacker each time and stopping when going on would lose
+    staticExchange: function(game, sq) {
+        const V = this.pieceValues;
+        const captures = game.moves({ verbose: true }).filter(m => m.to === sq && m.captured && m.flags.indexOf('e') === -1);
+        if (!captures.length) return 0;
+        const m = captures.reduce((a, b) => (V[b.piece] < V[a.piece] ? b : a));
+        game.move(m);
+        const gain = V[m.captured] - this.staticExchange(game, sq);
+        game.undo();
+        return Math.max(0, gain);
+    },
+
+    // True if the move (UCI) from fenBefore gives up material on balance: the
+    // opponent wins more with the best exchange against the moved piece or a
+    // piece left hanging than the move itself captured. Pawns don't count.
+    isSacrifice: function(fenBefore, uci) {
+        const game = new Chess(fenBefore);
+        const move = game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+        if (!move) return false;
+        const V = this.pieceValues;
+        const captured = move.captured ? V[move.captured] : 0;
+        return game.SQUARES.some(sq => {
+            const piece = game.get(sq);
+            if (!piece || piece.color !== move.color || piece.type === 'p' || piece.type === 'k') return false;
+            return this.staticExchange(game, sq) > captured;
+        });
+    },
+
+    // before/after: white-relative analyses ({ score, type, lines }) of the
+    // positions around the move. info: { uci, fenBefore, prevClass } where
+    // prevClass is the class of the opponent's preceding move.
+    classifyMove: function(before, after, turnOfMover, info) {
+        const T = this.thresholds;
+        const epBefore = this.expectedPoints(before.score, turnOfMover);
+        const epAfter = this.expectedPoints(after.score, turnOfMover);
+        const loss = Math.max(0, epBefore - epAfter);
+
+        const lines = before.lines || [];
+        const bestUci = lines[0] ? lines[0].line.split(' ')[0] : null;
+        const playedBest = (bestUci === info.uci) || loss <= T.best;
+
+        if (playedBest) {
+            // Brilliant: a sound sacrifice that keeps the game, unless it was won anyway
+            if (epAfter >= 0.45 && epBefore < 0.97 && this.isSacrifice(info.fenBefore, info.uci)) return 'brilliant';
+
+            // Great: the only move, the second-best line is far behind
+            if (bestUci === info.uci && lines[1]) {
+                const gap = this.expectedPoints(lines[0].score, turnOfMover) - this.expectedPoints(lines[1].score, turnOfMover);
+                if (gap >= 0.20) return 'great';
+            }
+            return 'best';
+        }
+
+        // Miss: the opponent just erred and the advantage was handed back
+        const opponentErred = info.prevClass === 'mistake' || info.prevClass === 'blunder';
+        if (opponentErred && epBefore >= 0.6 && loss > T.inaccuracy && epAfter >= 0.35) return 'miss';
+
+        if (loss > T.mistake) return 'blunder';
+        if (loss > T.inaccuracy) return 'mistake';
+        if (loss > T.good) return 'inaccuracy';
+        return 'good';
+    },
+
+    getWinChance: function(cp) {
+        // Simple formula to convert CP to 0-100% win chance
+        return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+    },
+
+    classes: ['brilliant', 'great', 'best', 'good', 'book', 'inaccuracy', 'mistake', 'miss', 'blunder'],
+
+    // Accuracy (0-100) of a single move from the mover's win chance before and after it
+    moveAccuracy: function(winBefore, winAfter) {
+        const drop = Math.max(0, winBefore - winAfter);
+        return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+    },
+
+    // Rough rating for a game played at the given average centipawn loss
+    estimateRating: function(acpl) {
+        return Math.round(Math.max(100, Math.min(3200, 3100 * Math.exp(-0.01 * acpl))) / 25) * 25;
+    },
+
+    // Per-side accuracy, average centipawn loss, class counts and rating
+    // estimate from the analysed mainline. Book moves are counted but not scored.
+    summarize: function(nodes) {
+        const sides = {};
+        ['w', 'b'].forEach(side => {
+            sides[side] = { counts: {}, accuracies: [], losses: [] };
+            this.classes.forEach(c => sides[side].counts[c] = 0);
+        });
+
+        nodes.forEach(node => {
+            const mover = (node.ply % 2 === 1) ? 'w' : 'b';
+            const side = sides[mover];
+            if (node.class) side.counts[node.class]++;
+
+            const before = node.parent.analysis;
+            if (!node.analysis || !before) return;
+            const clamp = (score) => Math.max(-1000, Math.min(1000, score));
+            const sign = (mover === 'w') ? 1 : -1;
+            side.losses.push(Math.max(0, sign * (clamp(before.score) - clamp(node.analysis.score))));
+            side.accuracies.push(this.moveAccuracy(
+                this.expectedPoints(before.score, mover) * 100,
+                this.expectedPoints(node.analysis.score, mover) * 100
+            ));
+        });
+
+        const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+        const summary = {};
+        ['w', 'b'].forEach(side => {
+            const acpl = mean(sides[side].losses);
+            summary[side] = {
+                counts: sides[side].counts,
+                accuracy: mean(sides[side].accuracies),
+                acpl: acpl,
+                rating: acpl === null ? null : this.estimateRating(acpl)
+            };
+        });
+        return summary;
+    }
+};
@@ -0,0 +1,322 @@
+// LLM providers behind /api/query. Every provider speaks the chat-completions format:
+//   chat(payload, signal)            -> { data, replyText }
+//   stream(payload, signal, onDelta) -> replyText, calling onDelta(text) per chunk
+// and reports failures as ProviderError with the HTTP status /api/query should answer with.
+// Requests to remote providers are retried with jittered backoff on 429/502/503/504 and network
+// errors, and a provider that keeps failing is cut off for a while by a circuit breaker.
+//
+// Configuration comes from the JSON file named by LLM_CONFIG (or llm.config.json next to server.js):
+//   {
+//     "default": "local",
+//     "providers": {
+//       "hf":     { "type": "hf", "apiKeyEnv": "HF_TOKEN", "model": "meta-llama/Llama-3.1-8B-Instruct", "timeout": 60000, "retries": 2 },
+//       "local":  { "type": "openai", "baseUrl": "http://localhost:8080/v1", "models": ["qwen2.5-7b"], "timeout": 120000 },
+//       "canned": { "type": "canned", "reply": "Develop your pieces." }
+//     }
+//   }
+// Without a file it is built from env: HF_TOKEN / HF_MODEL / HF_MODELS for "hf", LLM_BASE_URL /
+// LLM_API_KEY / LLM_MODEL / LLM_MODELS / LLM_TIMEOUT_MS for "openai", LLM_RETRIES for both, and
+// LLM_PROVIDER picks the default.
+// "model" is used when a request names none, "models" is the allowlist. An empty allowlist allows
+// any model, except on "hf" where it defaults to just the default model since requests spend our token.
+import fs from 'fs';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+
+// Error that maps to an HTTP response: { error: message, code } with this status
+export class HttpError extends Error {
+  constructor(status, code, message){
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export class ProviderError extends HttpError {}
+
+const HF_BASE_URL = 'https://router.huggingface.co/v1';
+const HF_MODEL = 'meta-llama/Llama-3.1-8B-Instruct';
+const DEFAULT_TIMEOUT = 60_000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 500;         // First retry waits up to this long, doubling after
+const BACKOFF_MAX = 8_000;        // Longer Retry-After values are passed to the client instead
+const BREAKER_THRESHOLD = 5;      // Consecutive failed requests that open the circuit
+const BREAKER_COOLDOWN = 30_000;  // Time the circuit stays open before one trial request
+
+const list = v=>String(v||'').split(',').map(s=>s.trim()).filter(Boolean);
+
+// Retry-After header (seconds or HTTP date) -> whole seconds, or null
+function retryAfterSeconds(value){
+  if(!value) return null;
+  const secs = /^\d+$/.test(value) ? parseInt(value) : Math.ceil((Date.parse(value)-Date.now())/1000);
+  return Number.isFinite(secs) ? Math.max(0, secs) : null;
+}
+
+// Upstream HTTP error -> what the browser gets
+function upstreamError(p, status, body, retryAfter){
+  const detail = body ? `: ${body.slice(0,200)}` : '';
+  let err;
+  if(status === 401 || status === 403) err = new ProviderError(502, 'upstream_auth', `${p.name} rejected the credentials (${status})`);
+  else if(status === 429) err = new ProviderError(429, 'upstream_rate_limited', `${p.name} is rate limiting requests`);
+  else if(status === 400 || status === 404 || status === 422) err = new ProviderError(400, 'upstream_rejected', `${p.name} rejected the request (${status})${detail}`);
+  else if(status === 503) err = new ProviderError(503, 'upstream_unavailable', `${p.name} is unavailable${detail}`);
+  else if(status === 504) err = new ProviderError(504, 'upstream_timeout', `${p.name} timed out upstream`);
+  else err = new ProviderError(502, 'upstream_error', `${p.name} failed with status ${status}${detail}`);
+  err.upstreamStatus = status;
+  if(retryAfter !== null) err.retryAfter = retryAfter;
+  return err;
+}
+
+const isRetryable = err=>[429,502,503,504].includes(err.upstreamStatus) || err.code === 'upstream_unreachable';
+// Failures that say the provider is unhealthy, as opposed to a bad or rate-limited request
+const isOutage = err=>err.status >= 500;
+
+// Resolves after ms, rejects if signal aborts first
+function sleep(ms, signal){
+  return new Promise((resolve,reject)=>{
+    const timer = setTimeout(()=>{ if(signal) signal.removeEventListener('abort', onAbort); resolve(); }, ms);
+    const onAbort = ()=>{ clearTimeout(timer); reject(Object.assign(new Error('Aborted'), { name:'AbortError' })); };
+    if(signal) signal.addEventListener('abort', onAbort, { once:true });
+  });
+}
+
+// Closed until BREAKER_THRESHOLD requests in a row fail, then open for BREAKER_COOLDOWN,
+// then half-open: one trial request closes it again or reopens it. check() returns true for
+// the trial; a trial that ends in neither (aborted) must be released.
+function createBreaker(name){
+  let failures = 0, openUntil = 0, trial = false;
+  return {
+    check(){
+      if(failures < BREAKER_THRESHOLD) return false;
+      const wait = openUntil - Date.now();
+      if(wait > 0 || trial){
+        const err = new ProviderError(503, 'circuit_open', `${name} keeps failing, requests are paused`);
+        err.retryAfter = Math.max(1, Math.ceil(wait/1000));
+        throw err;
+      }
+      trial = true;
+      return true;
+    },
+    release(){ trial = false; },
+    success(){ failures = 0; trial = false; },
+    failure(){
+      trial = false;
+      if(++failures >= BREAKER_THRESHOLD){
+        openUntil = Date.now()+BREAKER_COOLDOWN;
+        console.warn(`LLM provider "${name}" failed ${failures} times in a row, pausing for ${BREAKER_COOLDOWN/1000}s`);
+      }
+    }
+  };
+}
+
+function networkError(p, err){
+  if(err instanceof ProviderError) return err;
+  if(err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND' || err.code === 'ECONNRESET')
+    return new ProviderError(502, 'upstream_unreachable', `Cannot reach ${p.name} at ${p.baseUrl} (${err.code})`);
+  return new ProviderError(502, 'upstream_error', `${p.name}: ${err.message||err}`);
+}
+
+// POSTs to the chat endpoint, retrying until a response comes back ok or the error is final,
+// then hands it to read(resp, arm). Failures inside read are not retried: part of a streamed
+// reply may already have reached the client.
+async function post(p, body, signal, read){
+  if(!p.apiKey && p.apiKeyEnv) throw new ProviderError(503, 'missing_token', `${p.name} needs an API token: set ${p.apiKeyEnv} in .env`);
+  const trial = p.breaker.check();
+  try{
+    for(let attempt = 0; ; attempt++){
+      try{
+        const result = await attemptPost(p, body, signal, read);
+        p.breaker.success();
+        return result;
+      }catch(err){
+        if(err.name === 'AbortError') throw err;
+        const delay = Math.random() * Math.min(BACKOFF_MAX, BACKOFF_BASE * 2**attempt); // Full jitter
+        const wait = err.retryAfter !== undefined ? err.retryAfter*1000 : delay;
+        if(!err.partial && isRetryable(err) && attempt < p.retries && wait <= BACKOFF_MAX){
+          console.warn(`LLM provider "${p.name}": ${err.message}, retry ${attempt+1}/${p.retries} in ${Math.round(wait)} ms`);
+          await sleep(wait, signal);
+          continue;
+        }
+        if(isOutage(err)) p.breaker.failure();
+        else p.breaker.success();
+        throw err;
+      }
+    }
+  }finally{
+    // An aborted trial leaves the circuit half-open for the next request
+    if(trial) p.breaker.release();
+  }
+}
+
+// One request. The timeout covers the wait for the response and, when read calls arm(),
+// each wait for more of the body.
+async function attemptPost(p, body, signal, read){
+  let reading = false;
+  const controller = new AbortController();
+  const onAbort = ()=>controller.abort();
+  let timer = null, timedOut = false;
+  const arm = ()=>{
+    clearTimeout(timer);
+    timer = setTimeout(()=>{ timedOut = true; controller.abort(); }, p.timeout);
+  };
+  if(signal) signal.addEventListener('abort', onAbort);
+  try{
+    arm();
+    const headers = { 'Content-Type':'application/json' };
+    if(p.apiKey) headers.Authorization = `Bearer ${p.apiKey}`;
+    const resp = await fetch(p.baseUrl+'/chat/completions', {
+      method:'POST', headers, body: JSON.stringify(body), signal: controller.signal
+    });
+    if(!resp.ok)
+      throw upstreamError(p, resp.status, await resp.text().catch(()=>''), retryAfterSeconds(resp.headers.get('retry-after')));
+    reading = true;
+    return await read(resp, arm);
+  }catch(err){
+    if(timedOut) err = new ProviderError(504, 'upstream_timeout', `${p.name} did not answer within ${p.timeout} ms`);
+    else if(err.name === 'AbortError') throw err; // The caller gave up
+    else err = networkError(p, err);
+    err.partial = reading;
+    throw err;
+  }finally{
+    clearTimeout(timer);
+    if(signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// HF router and any OpenAI-compatible server (llama.cpp, Ollama, vLLM...)
+function openAIProvider(name, cfg){
+  const p = {
+    name,
+    type: cfg.type,
+    baseUrl: String(cfg.baseUrl || HF_BASE_URL).replace(/\/+$/,''),
+    apiKey: cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] : cfg.apiKey,
+    apiKeyEnv: cfg.apiKeyEnv,
+    model: cfg.model || (cfg.type === 'hf' ? HF_MODEL : null),
+    models: cfg.models && cfg.models.length ? cfg.models : cfg.type === 'hf' ? [cfg.model || HF_MODEL] : [],
+    timeout: cfg.timeout || DEFAULT_TIMEOUT,
+    retries: cfg.retries ?? DEFAULT_RETRIES,
+    breaker: createBreaker(name),
+
+    chat(payload, signal){
+      return post(p, payload, signal, async resp=>{
+        const text = await resp.text();
+        let data;
+        try{ data = JSON.parse(text); }
+        catch(e){ throw new ProviderError(502, 'upstream_bad_response', `${p.name} sent a non-JSON reply: ${text.slice(0,200)}`); }
+        return { data, replyText: data?.choices?.[0]?.message?.content || '' };
+      });
+    },
+
+    // Upstream SSE: "data: {chat.completion.chunk}" lines, ending with "data: [DONE]"
+    stream(payload, signal, onDelta){
+      return post(p, { ...payload, stream:true }, signal, async (resp, arm)=>{
+        const decoder = new TextDecoder();
+        let buf = '', replyText = '';
+        for await (const chunk of resp.body){
+          arm();
+          buf += decoder.decode(chunk, { stream:true });
+          let i;
+          while((i = buf.indexOf('\n')) >= 0){
+            const line = buf.slice(0,i).trim();
+            buf = buf.slice(i+1);
+            if(!line.startsWith('data:') || line === 'data: [DONE]') continue;
+            let delta = '';
+            try{ delta = JSON.parse(line.slice(5)).choices?.[0]?.delta?.content || ''; }catch(e){}
+            if(delta){
+              replyText += delta;
+              onDelta(delta);
+            }
+          }
+        }
+        return replyText;
+      });
+    }
+  };
+  return p;
+}
+
+// Same reply for the same conversation, no network: for offline work and tests
+function cannedProvider(name, cfg){
+  const reply = payload=>{
+    if(cfg.reply) return cfg.reply;
+    const last = [...(payload.messages||[])].reverse().find(m=>m.role==='user');
+    const text = String(last?.content||'');
+    const hash = crypto.createHash('sha256').update(JSON.stringify(payload.messages||[])).digest('hex').slice(0,8);
+    return `Canned reply ${hash} to: ${text.slice(0,120)}`;
+  };
+  return {
+    name,
+    type: 'canned',
+    model: cfg.model || 'canned',
+    models: cfg.models || [],
+    timeout: 0,
+
+    async chat(payload){
+      const replyText = reply(payload);
+      const data = {
+        id: 'canned', object: 'chat.completion', model: payload.model,
+        choices: [{ index:0, message:{ role:'assistant', content:replyText }, finish_reason:'stop' }]
+      };
+      return { data, replyText };
+    },
+
+    async stream(payload, signal, onDelta){
+      const replyText = reply(payload);
+      for(const part of replyText.match(/\S+\s*/g)||[]) onDelta(part);
+      return replyText;
+    }
+  };
+}
+
+const factories = { hf: openAIProvider, openai: openAIProvider, canned: cannedProvider };
+
+function readConfig(file){
+  if(!file) return null;
+  try{ return JSON.parse(fs.readFileSync(file,'utf8')); }
+  catch(err){
+    if(err.code === 'ENOENT' && !process.env.LLM_CONFIG) return null;
+    throw new Error(`Cannot read LLM config ${file}: ${err.message}`);
+  }
+}
+
+function envConfig(env){
+  const providers = {
+    hf: {
+      type:'hf', apiKeyEnv:'HF_TOKEN', model: env.HF_MODEL, models: list(env.HF_MODELS),
+      timeout: parseInt(env.HF_TIMEOUT_MS), retries: env.LLM_RETRIES ? parseInt(env.LLM_RETRIES) : undefined
+    },
+    canned: { type:'canned' }
+  };
+  if(env.LLM_BASE_URL){
+    providers.openai = {
+      type:'openai', baseUrl: env.LLM_BASE_URL, apiKey: env.LLM_API_KEY,
+      model: env.LLM_MODEL, models: list(env.LLM_MODELS), timeout: parseInt(env.LLM_TIMEOUT_MS),
+      retries: env.LLM_RETRIES ? parseInt(env.LLM_RETRIES) : undefined
+    };
+  }
+  return { default: env.LLM_PROVIDER || (env.LLM_BASE_URL ? 'openai' : 'hf'), providers };
+}
+
+// Builds the configured providers; throws on unknown types or a missing default
+export function loadProviders(defaultFile, env = process.env){
+  const config = readConfig(env.LLM_CONFIG || defaultFile) || envConfig(env);
+  const providers = new Map();
+  for(const [name,cfg] of Object.entries(config.providers||{})){
+    const factory = factories[cfg.type];
+    if(!factory) throw new Error(`LLM provider "${name}" has unknown type "${cfg.type}"`);
+    providers.set(name, factory(name, cfg));
+  }
+  const fallback = config.default || providers.keys().next().value;
+  if(!providers.has(fallback)) throw new Error(`Default LLM provider "${fallback}" is not configured`);
+  return { providers, default: providers.get(fallback) };
+}
+
+// Provider and model for a request ({ provider?, model? }); 400 for unknown providers and models off the allowlist
+export function selectProvider(registry, payload){
+  const provider = payload.provider ? registry.providers.get(payload.provider) : registry.default;
+  if(!provider) throw new ProviderError(400, 'unknown_provider', `Unknown provider "${payload.provider}"`);
+  const model = payload.model || provider.model || provider.models[0] || undefined;
+  if(provider.models.length && !provider.models.includes(model))
+    throw new ProviderError(400, 'model_not_allowed', `Model "${model}" is not available on ${provider.name}; use one of ${provider.models.join(', ')}`);
+  return { provider, model };
+}
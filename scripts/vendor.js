@@ -0,0 +1,57 @@
+// Copies the browser dependencies from node_modules into vendor/, so the app
+// runs with no network (express.static or any static host serves vendor/).
+// Run after changing a version in devDependencies: npm install && npm run vendor
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const modules = path.join(root, 'node_modules');
+const vendor = path.join(root, 'vendor');
+
+// [package file, vendor file]
+const files = [
+  // Engine: WASM build with the asm.js build as fallback, plus its GPL licence
+  ['stockfish.js/stockfish.wasm.js', 'stockfish/stockfish.wasm.js'],
+  ['stockfish.js/stockfish.wasm', 'stockfish/stockfish.wasm'],
+  ['stockfish.js/stockfish.js', 'stockfish/stockfish.js'],
+  ['stockfish.js/Copying.txt', 'stockfish/Copying.txt'],
+  ['jquery/dist/jquery.min.js', 'jquery/jquery.min.js'],
+  ['jquery/LICENSE.txt', 'jquery/LICENSE.txt'],
+  ['@fortawesome/fontawesome-free/css/all.min.css', 'fontawesome/css/all.min.css'],
+  ['@fortawesome/fontawesome-free/LICENSE.txt', 'fontawesome/LICENSE.txt'],
+  ['@fontsource/roboto/LICENSE', 'roboto/LICENSE']
+];
+for(const font of ['fa-brands-400','fa-regular-400','fa-solid-900','fa-v4compatibility'])
+  files.push([`@fortawesome/fontawesome-free/webfonts/${font}.woff2`, `fontawesome/webfonts/${font}.woff2`]);
+
+const weights = [400, 500, 700];
+for(const w of weights)
+  files.push([`@fontsource/roboto/files/roboto-latin-${w}-normal.woff2`, `roboto/roboto-latin-${w}-normal.woff2`]);
+
+fs.rmSync(vendor, { recursive:true, force:true });
+for(const [from,to] of files){
+  const src = path.join(modules, from);
+  if(!fs.existsSync(src)){
+    console.error(`Missing ${src}, run npm install first`);
+    process.exit(1);
+  }
+  fs.mkdirSync(path.dirname(path.join(vendor, to)), { recursive:true });
+  fs.copyFileSync(src, path.join(vendor, to));
+}
+
+// Font Awesome's stylesheet also lists .ttf fallbacks, every browser we support takes woff2
+const faCss = path.join(vendor, 'fontawesome/css/all.min.css');
+fs.writeFileSync(faCss, fs.readFileSync(faCss, 'utf8').replace(/,url\(\.\.\/webfonts\/[\w-]+\.ttf\) format\("truetype"\)/g, ''));
+
+// Latin subset of the weights the app uses
+fs.writeFileSync(path.join(vendor, 'roboto/roboto.css'), weights.map(w=>`@font-face {
+  font-family: 'Roboto';
+  font-style: normal;
+  font-display: swap;
+  font-weight: ${w};
+  src: url(./roboto-latin-${w}-normal.woff2) format('woff2');
+}
+`).join(''));
+
+console.log(`Copied ${files.length} files to vendor/`);
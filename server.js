@@ -1,75 +1,639 @@
 import express from 'express';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 import path from 'path';
+import fs from 'fs';
+import vm from 'vm';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import { loadProviders, selectProvider, HttpError } from './providers.js';
 dotenv.config();
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The browser's chess.js, opening table and analyzer, run in one shared context
+const chessContext = vm.createContext({ console });
+for(const file of ['js/chess.js','js/eco.js','js/analyzer.js'])
+  vm.runInContext(fs.readFileSync(path.join(__dirname,file),'utf8'), chessContext, { filename:file });
+const { Chess, Analyzer, Openings } = vm.runInContext('({ Chess, Analyzer, Openings })', chessContext);
+Openings.init();
+
 const app = express();
+// Per-IP limits behind a reverse proxy. TRUST_PROXY is a hop count ("1"), "true" (trust every
+// hop), or addresses/subnets/presets as Express takes them ("loopback", "10.0.0.0/8,127.0.0.1")
+const trustProxy = process.env.TRUST_PROXY;
+if(trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
 app.use(express.json());
-app.use(express.static(__dirname));
+// Only the browser's files are public: server code, package files and llm.config.json are not
+app.get(['/','/index.html'], (req,res)=>res.sendFile(path.join(__dirname,'index.html')));
+for(const dir of ['js','pieces','sounds','vendor']) app.use('/'+dir, express.static(path.join(__dirname,dir)));
 
+const llm = loadProviders(path.join(__dirname,'llm.config.json'));
+console.log(`LLM providers: ${[...llm.providers.keys()].join(', ')} (default ${llm.default.name})`);
+for(const p of llm.providers.values())
+  if(p.apiKeyEnv && !p.apiKey) console.warn(`${p.apiKeyEnv} not set in .env, provider "${p.name}" will answer 503`);
+
+// --- Query cache ---
+// LRU of completions keyed by a hash of the whole request. Map order is recency
+// order: hits move to the end and the oldest entries are evicted first.
+// Set QUERY_CACHE_FILE to keep the cache across restarts.
 const cache = new Map();
-const CACHE_TTL = 1000 * 60 * 60 * 6; 
-const HF_TOKEN = process.env.HF_TOKEN;
-if(!HF_TOKEN) console.warn('HF_TOKEN not set in .env');
+const CACHE_SIZE = parseInt(process.env.QUERY_CACHE_SIZE) || 500;
+const CACHE_TTL = parseInt(process.env.QUERY_CACHE_TTL_MS) || 1000 * 60 * 60 * 6;
+const CACHE_FILE = process.env.QUERY_CACHE_FILE || null;
+let cacheTimer = null;
+
+if(CACHE_FILE){
+  try{
+    for(const [key,r] of JSON.parse(fs.readFileSync(CACHE_FILE,'utf8')))
+      if(Date.now() - r.ts <= CACHE_TTL) cache.set(key,r);
+    console.log(`Loaded ${cache.size} cached replies`);
+  }catch(err){
+    if(err.code !== 'ENOENT') console.warn('Cannot read', CACHE_FILE, err.message);
+  }
+}
 
-function setCache(key,val){ cache.set(key,{ val, ts:Date.now() }); }
+function saveCache(){
+  if(!CACHE_FILE || cacheTimer) return;
+  cacheTimer = setTimeout(()=>{
+    cacheTimer = null;
+    try{
+      fs.mkdirSync(path.dirname(CACHE_FILE), { recursive:true });
+      fs.writeFileSync(CACHE_FILE+'.tmp', JSON.stringify([...cache]));
+      fs.renameSync(CACHE_FILE+'.tmp', CACHE_FILE);
+    }catch(err){
+      console.error('Cannot write', CACHE_FILE, err.message);
+    }
+  }, 2000);
+}
+
+function setCache(key,val){
+  cache.delete(key);
+  cache.set(key,{ val, ts:Date.now() });
+  while(cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  saveCache();
+}
 function getCache(key){ 
   const r = cache.get(key); 
   if(!r) return null;
-  if(Date.now() - r.ts > CACHE_TTL){ cache.delete(key); return null; }
+  if(Date.now() - r.ts > CACHE_TTL){ cache.delete(key); saveCache(); return null; }
+  cache.delete(key);
+  cache.set(key,r);
   return r.val;
 }
 
-async function fetchWithTimeout(url, opts={}, timeout=60_000){
-  const controller = new AbortController();
-  const id = setTimeout(()=>controller.abort(), timeout);
-  try {
-    const res = await fetch(url, { ...opts, signal: controller.signal });
-    clearTimeout(id);
-    return res;
-  } catch(err){
-    clearTimeout(id);
-    throw err;
+// Sorted keys, no null/undefined members, so equal requests serialize equally
+function canonical(v){
+  if(Array.isArray(v)) return v.map(canonical);
+  if(v && typeof v === 'object')
+    return Object.fromEntries(Object.keys(v).sort().filter(k=>v[k] !== undefined && v[k] !== null).map(k=>[k,canonical(v[k])]));
+  return v;
+}
+
+// Everything but the delivery mode decides the reply
+function cacheKey(payload){
+  const { stream, ...rest } = payload;
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(rest))).digest('hex');
+}
+
+// "Cache-Control: no-cache" skips the lookup but stores the fresh reply, "no-store" skips both
+function cachePolicy(req, payload){
+  const cc = req.get('Cache-Control') || '';
+  return {
+    key: /no-store/.test(cc) ? null : cacheKey(payload),
+    read: !/no-cache|no-store/.test(cc)
+  };
+}
+
+// --- Query limits ---
+const QUERY_MAX_MESSAGES = parseInt(process.env.QUERY_MAX_MESSAGES) || 40;
+const QUERY_MAX_PROMPT_CHARS = parseInt(process.env.QUERY_MAX_PROMPT_CHARS) || 24_000; // All message contents together
+const QUERY_MAX_TOKENS = parseInt(process.env.QUERY_MAX_TOKENS) || 1024;
+const RATE_WINDOW = 60_000;
+const RATE_PER_IP = parseInt(process.env.QUERY_RATE_PER_IP) || 20;      // Requests per minute from one address
+const RATE_GLOBAL = parseInt(process.env.QUERY_RATE_GLOBAL) || 120;     // Requests per minute from everyone
+const rateWindows = new Map(); // scope|ip or scope|* -> { count, reset }
+// scope -> [per ip, global] requests per minute
+const rateLimits = {
+  query: [RATE_PER_IP, RATE_GLOBAL],
+  analyze: [parseInt(process.env.ANALYZE_RATE_PER_IP) || 6, parseInt(process.env.ANALYZE_RATE_GLOBAL) || 30]
+};
+
+// Fixed one-minute windows per endpoint; throws 429 with the seconds until the window resets
+function checkRate(ip, scope = 'query'){
+  const now = Date.now();
+  if(rateWindows.size > 10_000)
+    for(const [k,w] of rateWindows) if(w.reset <= now) rateWindows.delete(k);
+  const [perIp, global] = rateLimits[scope];
+  const keys = [[scope+'|*',global],[scope+'|'+ip,perIp]];
+  for(const [key,limit] of keys){
+    let w = rateWindows.get(key);
+    if(!w || w.reset <= now) rateWindows.set(key, w = { count:0, reset: now+RATE_WINDOW });
+    if(w.count >= limit){
+      const err = new HttpError(429, 'rate_limited', key.endsWith('|*') ? 'The server is busy, try again shortly' : 'Too many requests, slow down');
+      err.retryAfter = Math.ceil((w.reset-now)/1000);
+      throw err;
+    }
   }
+  keys.forEach(([key])=>rateWindows.get(key).count++);
+}
+
+const QUERY_FIELDS = ['messages','model','provider','stream','max_tokens','temperature','top_p','stop','seed','presence_penalty','frequency_penalty'];
+const ROLES = ['system','user','assistant'];
+
+// Throws 400 for anything that is not a plain chat request within the caps
+function validateQuery(body){
+  const bad = (code, message)=>{ throw new HttpError(400, code, message); };
+  const isNum = (v, lo, hi)=>typeof v === 'number' && v >= lo && v <= hi;
+  if(!body || typeof body !== 'object' || Array.isArray(body)) bad('invalid_body', 'Expected a JSON object');
+  const unknown = Object.keys(body).filter(k=>!QUERY_FIELDS.includes(k));
+  if(unknown.length) bad('unknown_field', `Unsupported field(s): ${unknown.join(', ')}`);
+
+  const { messages } = body;
+  if(!Array.isArray(messages) || !messages.length) bad('invalid_messages', '"messages" must be a non-empty array');
+  if(messages.length > QUERY_MAX_MESSAGES) bad('too_many_messages', `At most ${QUERY_MAX_MESSAGES} messages are allowed`);
+  let chars = 0;
+  messages.forEach((m,i)=>{
+    if(!m || !ROLES.includes(m.role) || typeof m.content !== 'string' || Object.keys(m).some(k=>k !== 'role' && k !== 'content'))
+      bad('invalid_messages', `messages[${i}] must be { role: ${ROLES.join('|')}, content: string }`);
+    chars += m.content.length;
+  });
+  if(chars > QUERY_MAX_PROMPT_CHARS) bad('prompt_too_large', `The prompt is ${chars} characters, the limit is ${QUERY_MAX_PROMPT_CHARS}`);
+
+  if(body.model !== undefined && typeof body.model !== 'string') bad('invalid_model', '"model" must be a string');
+  if(body.provider !== undefined && typeof body.provider !== 'string') bad('invalid_provider', '"provider" must be a string');
+  if(body.stream !== undefined && typeof body.stream !== 'boolean') bad('invalid_stream', '"stream" must be a boolean');
+  if(body.max_tokens !== undefined && !(Number.isInteger(body.max_tokens) && isNum(body.max_tokens, 1, QUERY_MAX_TOKENS)))
+    bad('invalid_max_tokens', `"max_tokens" must be an integer from 1 to ${QUERY_MAX_TOKENS}`);
+  if(body.temperature !== undefined && !isNum(body.temperature, 0, 2)) bad('invalid_temperature', '"temperature" must be between 0 and 2');
+  if(body.top_p !== undefined && !isNum(body.top_p, 0, 1)) bad('invalid_top_p', '"top_p" must be between 0 and 1');
+  for(const k of ['presence_penalty','frequency_penalty'])
+    if(body[k] !== undefined && !isNum(body[k], -2, 2)) bad('invalid_'+k, `"${k}" must be between -2 and 2`);
+  if(body.seed !== undefined && !Number.isInteger(body.seed)) bad('invalid_seed', '"seed" must be an integer');
+  if(body.stop !== undefined && typeof body.stop !== 'string' &&
+     !(Array.isArray(body.stop) && body.stop.length <= 4 && body.stop.every(s=>typeof s === 'string')))
+    bad('invalid_stop', '"stop" must be a string or up to 4 strings');
+}
+
+function sendError(res, err){
+  if(err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status).json({ error: err.message, code: err.code });
 }
 
+// Chat-completions payload, plus an optional "provider" naming one from the LLM config
 app.post('/api/query', async (req,res)=>{
   try{
-    const payload = req.body;
-    let key = null;
-    try{
-      const m = payload.messages||[];
-      const userMsg = m.find(x=>x.role==='user' && typeof x.content==='string');
-      if(userMsg) key = userMsg.content.slice(0,200);
-    }catch(e){}
-
-    if(key){
-      const cached = getCache(key);
-      if(cached) return res.json({ result: cached.raw, replyText: cached.replyText, cached:true });
-    }
+    validateQuery(req.body);
+    checkRate(req.ip);
+    const { provider: _, stream, ...body } = req.body;
+    const { provider, model } = selectProvider(llm, req.body);
+    const payload = { ...body, model, max_tokens: body.max_tokens || QUERY_MAX_TOKENS };
+    const policy = cachePolicy(req, { ...payload, provider: provider.name });
 
-    const hfResp = await fetchWithTimeout("https://router.huggingface.co/v1/chat/completions", {
-      method:'POST',
-      headers: { Authorization:`Bearer ${HF_TOKEN}`, 'Content-Type':'application/json' },
-      body: JSON.stringify(payload)
-    }, 60_000);
+    if(stream) return streamQuery(req, res, provider, payload, policy);
 
-    const data = await hfResp.json();
-    let replyText = '';
-    if(data && data.choices && data.choices[0] && data.choices[0].message)
-      replyText = data.choices[0].message.content || '';
+    const cached = policy.read && policy.key && getCache(policy.key);
+    if(cached) return res.json({ result: cached.raw, replyText: cached.replyText, cached:true });
 
-    if(key) setCache(key,{ raw:data, replyText });
+    const { data, replyText } = await provider.chat(payload);
+    if(policy.key && replyText) setCache(policy.key,{ raw:data, replyText });
 
     res.json({ result:data, replyText });
   }catch(err){
     console.error('Error /api/query', err?.message||err);
+    if(err instanceof HttpError) return sendError(res, err);
     res.status(500).json({ error: err.message||String(err) });
   }
 });
 
+// Streaming mode of /api/query ({ stream:true }): upstream chunks are forwarded as
+// server-sent events "data: { delta }", followed by "event: done" with the whole
+// replyText, or "event: error". A client that disconnects aborts the upstream request.
+// The stream only opens with the first event, so failures before it keep their HTTP status.
+async function streamQuery(req, res, provider, payload, policy){
+  const send = (event, data)=>{
+    if(!res.headersSent){
+      res.set({ 'Content-Type':'text/event-stream', 'Cache-Control':'no-cache', Connection:'keep-alive' });
+      res.flushHeaders();
+    }
+    res.write((event ? `event: ${event}\n` : '')+`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const cached = policy.read && policy.key && getCache(policy.key);
+  if(cached){
+    send(null, { delta: cached.replyText });
+    send('done', { replyText: cached.replyText, cached:true });
+    return res.end();
+  }
+
+  const controller = new AbortController();
+  let clientGone = false;
+  res.on('close', ()=>{
+    if(res.writableEnded) return;
+    clientGone = true;
+    controller.abort();
+  });
+
+  try{
+    const replyText = await provider.stream(payload, controller.signal, delta=>send(null, { delta }));
+    if(policy.key && replyText) setCache(policy.key,{ raw:{ choices:[{ index:0, message:{ role:'assistant', content:replyText } }] }, replyText });
+    send('done', { replyText });
+    res.end();
+  }catch(err){
+    if(clientGone) return;
+    console.error('Error /api/query (stream)', err?.message||err);
+    if(!res.headersSent){
+      if(err instanceof HttpError) return sendError(res, err);
+      return res.status(500).json({ error: err.message||String(err) });
+    }
+    send('error', { error: err.message||String(err), code: err.code||'internal_error', status: err.status||500, retryAfter: err.retryAfter });
+    res.end();
+  }
+}
+
+// --- Position eval store ---
+// Analysis records keyed by position and search limit ("d15" for depth 15, "t800" for 800 ms),
+// shared by every browser and by /api/analyze. Kept in memory and flushed to EVALS_FILE.
+// Writes through PUT /api/evals are off unless EVALS_WRITE=open (any client) or EVALS_WRITE_TOKEN
+// is set (clients sending "Authorization: Bearer <token>").
+const EVALS_FILE = process.env.EVALS_FILE || path.join(__dirname,'data','evals.json');
+const EVALS_WRITE_OPEN = process.env.EVALS_WRITE === 'open';
+const EVALS_WRITE_TOKEN = process.env.EVALS_WRITE_TOKEN || '';
+const evals = new Map();
+let evalsTimer = null;
+
+try{
+  for(const [key,rec] of Object.entries(JSON.parse(fs.readFileSync(EVALS_FILE,'utf8')))) evals.set(key,rec);
+  console.log(`Loaded ${evals.size} cached evals`);
+}catch(err){
+  if(err.code !== 'ENOENT') console.warn('Cannot read', EVALS_FILE, err.message);
+}
+
+function saveEvals(){
+  if(evalsTimer) return;
+  evalsTimer = setTimeout(()=>{
+    evalsTimer = null;
+    try{
+      fs.mkdirSync(path.dirname(EVALS_FILE), { recursive:true });
+      fs.writeFileSync(EVALS_FILE+'.tmp', JSON.stringify(Object.fromEntries(evals)));
+      fs.renameSync(EVALS_FILE+'.tmp', EVALS_FILE);
+    }catch(err){
+      console.error('Cannot write', EVALS_FILE, err.message);
+    }
+  }, 2000);
+}
+
+const limitKey = limits=>limits.depth ? 'd'+limits.depth : 't'+limits.movetime;
+
+// Exact limit, or the deepest record of the position when limit is omitted
+function getEval(fen, limit){
+  const pos = Openings.key(fen);
+  if(limit) return evals.get(pos+'|'+limit) || null;
+  let best = null;
+  for(const [key,rec] of evals)
+    if(key.startsWith(pos+'|') && (!best || rec.depth > best.depth)) best = rec;
+  return best;
+}
+
+// Deeper results replace shallower ones
+function putEval(fen, limit, analysis){
+  const key = Openings.key(fen)+'|'+limit;
+  const old = evals.get(key);
+  if(old && old.depth >= analysis.depth) return false;
+  evals.set(key, { limit, depth: analysis.depth, analysis, ts: Date.now() });
+  saveEvals();
+  return true;
+}
+
+// A position that can occur in a game: one king each, the side not to move not in check
+function checkPosition(fen){
+  checkFen(fen);
+  const placement = fen.split(' ')[0];
+  if((placement.match(/K/g)||[]).length !== 1 || (placement.match(/k/g)||[]).length !== 1)
+    throw new Error('"fen" needs exactly one king per side');
+  const flipped = fen.split(' ');
+  flipped[1] = flipped[1]==='w' ? 'b' : 'w';
+  flipped[3] = '-';
+  if(new Chess(flipped.join(' ')).in_check()) throw new Error('"fen" has the side not to move in check');
+}
+
+// Scores within the mate encoding, depths an engine reaches, lines of legal moves from fen
+function checkAnalysis(a, fen){
+  const legal = line=>line === undefined || (typeof line === 'string' && line.length <= 2000 &&
+    Analyzer.pvToSan(fen, line).split(' ').filter(Boolean).length === line.split(' ').filter(Boolean).length);
+  const isScore = l=>l && Number.isFinite(l.score) && Math.abs(l.score) <= 10000 && (l.type==='cp' || l.type==='mate') &&
+    Number.isInteger(l.depth) && l.depth >= 0 && l.depth <= 100 && legal(l.line);
+  if(!isScore(a)) throw new Error('"analysis" needs a score within +/-10000, type cp|mate, depth 0-100 and a legal line');
+  if(a.lines !== undefined && !(Array.isArray(a.lines) && a.lines.length <= 10 && a.lines.every(isScore)))
+    throw new Error('"analysis.lines" is malformed');
+  // SAN of the lines is derived here rather than trusted, as the browser does with Analyzer.addSan
+  return Analyzer.addSan({
+    score: a.score, type: a.type, depth: a.depth, line: String(a.line||''),
+    lines: (a.lines||[]).map(l=>({ multipv: parseInt(l.multipv)||1, depth: l.depth, score: l.score, type: l.type, line: String(l.line||'') }))
+  }, fen);
+}
+
+app.get('/api/evals', (req,res)=>{
+  const { fen, limit } = req.query;
+  if(typeof fen !== 'string' || !new Chess().validate_fen(fen).valid) return res.status(400).json({ error:'Invalid "fen"' });
+  const rec = getEval(fen, limit);
+  if(!rec) return res.status(404).json({ error:'Not cached' });
+  res.json(rec);
+});
+
+app.put('/api/evals', (req,res)=>{
+  const authorized = EVALS_WRITE_TOKEN && req.get('authorization') === `Bearer ${EVALS_WRITE_TOKEN}`;
+  if(!EVALS_WRITE_OPEN && !authorized)
+    return res.status(403).json({ error:'The eval store is read-only', code:'evals_read_only' });
+  const { fen, limit, analysis } = req.body || {};
+  let record;
+  try{
+    checkPosition(String(fen));
+    if(!/^([dt]\d{1,6}|n\d{1,10})$/.test(limit)) throw new Error('"limit" must look like d15, t800 or n100000');
+    record = checkAnalysis(analysis, fen);
+  }catch(err){
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ stored: putEval(fen, limit, record) });
+});
+
+// --- Native engine analysis ---
+const ENGINE_PATH = process.env.ENGINE_PATH || 'stockfish';
+const ENGINE_THREADS = parseInt(process.env.ENGINE_THREADS) || 4;
+const ENGINE_HASH = parseInt(process.env.ENGINE_HASH) || 256;
+const ENGINE_MOVETIME = parseInt(process.env.ENGINE_MOVETIME) || 1000;
+const MAX_MOVETIME = 60_000;
+const ANALYZE_MAX_POSITIONS = parseInt(process.env.ANALYZE_MAX_POSITIONS) || 500;  // Per job
+const ANALYZE_MAX_JOBS = parseInt(process.env.ANALYZE_MAX_JOBS) || 10;            // Queued or running
+const SEARCH_TIMEOUT = parseInt(process.env.ANALYZE_SEARCH_TIMEOUT_MS) || 120_000; // Per depth search; movetime searches get movetime + STOP_GRACE
+const STOP_GRACE = 5_000;  // Time a stopped engine gets to answer before it is killed
+const JOB_TTL = 1000 * 60 * 60;
+const jobs = new Map();
+let jobQueue = Promise.resolve(); // Jobs run one after another, each gets the whole machine
+
+// Spawns the engine binary and completes the UCI handshake
+async function startEngine(){
+  const proc = spawn(ENGINE_PATH, [], { stdio:['pipe','pipe','ignore'] });
+  const listeners = new Set();
+  let exitError = null;
+  let buf = '';
+
+  proc.stdout.setEncoding('utf8');
+  proc.stdout.on('data', chunk=>{
+    buf += chunk;
+    let i;
+    while((i = buf.indexOf('\n')) >= 0){
+      const line = buf.slice(0,i).trim();
+      buf = buf.slice(i+1);
+      listeners.forEach(fn=>fn(line));
+    }
+  });
+  const fail = err=>{
+    exitError = exitError || err;
+    listeners.forEach(fn=>fn(null));
+  };
+  proc.on('error', err=>fail(new Error(`Cannot start engine "${ENGINE_PATH}": ${err.message}`)));
+  proc.on('exit', code=>fail(new Error(`Engine exited with code ${code}`)));
+  proc.stdin.on('error', ()=>{}); // Reported through 'exit'
+
+  const engine = {
+    send(cmd){ if(!exitError) proc.stdin.write(cmd+'\n'); },
+    onLine(fn){ listeners.add(fn); return ()=>listeners.delete(fn); },
+    // Resolves with the first line matching pred, rejects if the engine dies first
+    waitFor(pred){
+      return new Promise((resolve,reject)=>{
+        if(exitError) return reject(exitError);
+        const off = engine.onLine(line=>{
+          if(line === null){ off(); reject(exitError); }
+          else if(pred(line)){ off(); resolve(line); }
+        });
+      });
+    },
+    quit(){ engine.send('quit'); setTimeout(()=>proc.kill(), 1000).unref(); },
+    kill(){ proc.kill('SIGKILL'); }
+  };
+
+  engine.send('uci');
+  await engine.waitFor(l=>l==='uciok');
+  engine.send(`setoption name Threads value ${ENGINE_THREADS}`);
+  engine.send(`setoption name Hash value ${ENGINE_HASH}`);
+  engine.send('setoption name MultiPV value 2'); // Great-move detection compares the two best lines
+  engine.send('isready');
+  await engine.waitFor(l=>l==='readyok');
+  return engine;
+}
+
+// "info depth ... score cp 31 ... pv e2e4 e7e5" -> { multipv, depth, type, val, line }
+function parseInfo(line){
+  if(!line.startsWith('info') || !/ score /.test(line)) return null;
+  const scoreMatch = line.match(/score (cp|mate) (-?\d+)/);
+  if(!scoreMatch) return null;
+  const multiPvMatch = line.match(/ multipv (\d+)/);
+  const pvMatch = line.match(/ pv (.+)/);
+  return {
+    multipv: multiPvMatch ? parseInt(multiPvMatch[1]) : 1,
+    depth: parseInt((line.match(/depth (\d+)/)||[])[1]||0),
+    type: scoreMatch[1],
+    val: parseInt(scoreMatch[2]),
+    line: pvMatch ? pvMatch[1] : ''
+  };
+}
+
+// Waits for bestmove. Past timeout the engine is told to stop, and killed if it ignores that too.
+// Resolves true when the search ran to its limit, false when it was stopped.
+async function waitBestmove(engine, timeout){
+  const bestmove = engine.waitFor(l=>l.startsWith('bestmove'));
+  bestmove.catch(()=>{}); // Rejects when the engine dies, also after a kill below
+  let timer;
+  const expire = ms=>new Promise(resolve=>{ timer = setTimeout(resolve, ms, 'timeout'); });
+  try{
+    if(await Promise.race([bestmove, expire(timeout)]) !== 'timeout') return true;
+    engine.send('stop');
+    if(await Promise.race([bestmove, expire(STOP_GRACE)]) !== 'timeout') return false;
+    engine.kill();
+    throw new Error(`Engine did not answer within ${timeout+STOP_GRACE} ms`);
+  }finally{
+    clearTimeout(timer);
+  }
+}
+
+// Same record the browser stores on history entries
+async function analyzeFen(engine, fen, limits){
+  const cached = getEval(fen, limitKey(limits));
+  if(cached) return cached.analysis;
+
+  const lines = [];
+  const off = engine.onLine(line=>{
+    const info = line && parseInfo(line);
+    if(info) lines[info.multipv-1] = info;
+  });
+  engine.send('position fen '+fen);
+  engine.send(limits.depth ? `go depth ${limits.depth}` : `go movetime ${limits.movetime}`);
+  let complete;
+  try { complete = await waitBestmove(engine, limits.depth ? SEARCH_TIMEOUT : limits.movetime+STOP_GRACE); }
+  finally { off(); }
+
+  const turn = fen.split(' ')[1];
+  const best = lines[0] || { depth:0, type:'cp', val:0, line:'' };
+  const analysis = {
+    score: Analyzer.normalizeScore(best.val, best.type, turn),
+    type: best.type,
+    depth: best.depth,
+    line: best.line,
+    lines: lines.filter(Boolean).map(d=>Analyzer.toWhiteLine(d, turn))
+  };
+  Analyzer.addSan(analysis, fen);
+  if(lines[0] && complete) putEval(fen, limitKey(limits), analysis); // Stopped searches fall short of the limit
+  return analysis;
+}
+
+function checkFen(fen){
+  const v = new Chess().validate_fen(fen);
+  if(!v.valid) throw new Error(`Invalid FEN "${fen}": ${v.error}`);
+  return fen;
+}
+
+// Validates the request body and lists the work to do
+function buildPlan(body){
+  body = body || {};
+  const limits = {};
+  if(body.depth !== undefined){
+    limits.depth = parseInt(body.depth);
+    if(!(limits.depth >= 1 && limits.depth <= 60)) throw new Error('"depth" must be between 1 and 60');
+  } else {
+    limits.movetime = body.movetime !== undefined ? parseInt(body.movetime) : ENGINE_MOVETIME;
+    if(!(limits.movetime >= 10 && limits.movetime <= MAX_MOVETIME)) throw new Error(`"movetime" must be between 10 and ${MAX_MOVETIME} ms`);
+  }
+
+  const tooMany = n=>{
+    if(n > ANALYZE_MAX_POSITIONS) throw new HttpError(413, 'too_many_positions', `At most ${ANALYZE_MAX_POSITIONS} positions per analysis`);
+  };
+  if(Array.isArray(body.fens)){
+    if(!body.fens.length) throw new Error('"fens" is empty');
+    tooMany(body.fens.length);
+    return { kind:'fens', fens: body.fens.map(checkFen), limits, total: body.fens.length };
+  }
+
+  let rootFen = new Chess().fen(), sans, headers = {};
+  if(typeof body.pgn === 'string'){
+    const game = new Chess();
+    if(!game.load_pgn(body.pgn, { sloppy:true })) throw new Error('Invalid PGN');
+    headers = game.header();
+    if(headers.FEN) rootFen = checkFen(headers.FEN);
+    sans = game.history();
+  } else if(Array.isArray(body.moves)){
+    if(body.fen) rootFen = checkFen(body.fen);
+    sans = body.moves;
+  } else {
+    throw new Error('Expected "pgn", "moves" or "fens" in the request body');
+  }
+
+  tooMany(sans.length);
+  const game = new Chess(rootFen);
+  const plies = sans.map(san=>{
+    const move = game.move(String(san), { sloppy:true });
+    if(!move) throw new Error(`Illegal move "${san}"`);
+    return { san: move.san, uci: move.from+move.to+(move.promotion||''), fen: game.fen() };
+  });
+  return { kind:'game', headers, rootFen, plies, limits, total: plies.length };
+}
+
+// Mirrors Actions.analyzeGame in index.html: book moves skip the engine,
+// every other move is classified against the position before it.
+async function analyzeGamePlan(engine, plan, job){
+  const [, turn, , , , fullmove] = plan.rootFen.split(' ');
+  const root = { ply: (Math.max(1, parseInt(fullmove)||1)-1)*2 + (turn==='b'?1:0), fen: plan.rootFen, parent:null, class:null, analysis:null };
+  const nodes = [];
+  let prev = root;
+  for(const p of plan.plies){
+    const node = { ply: prev.ply+1, san: p.san, uci: p.uci, fen: p.fen, parent: prev, class:null, analysis:null };
+    const opening = Openings.lookup(p.fen);
+    if(opening){
+      node.class = 'book';
+      node.opening = opening;
+    } else {
+      if(!prev.analysis) prev.analysis = await analyzeFen(engine, prev.fen, plan.limits);
+      node.analysis = await analyzeFen(engine, p.fen, plan.limits);
+      node.class = Analyzer.classifyMove(prev.analysis, node.analysis, prev.fen.split(' ')[1], {
+        uci: p.uci, fenBefore: prev.fen, prevClass: prev.class
+      });
+    }
+    nodes.push(node);
+    prev = node;
+    job.done++;
+  }
+  return {
+    headers: plan.headers,
+    fen: plan.rootFen,
+    root: { analysis: root.analysis },
+    moves: nodes.map(({ parent, ...rest })=>rest),
+    summary: Analyzer.summarize(nodes)
+  };
+}
+
+async function runJob(job, plan){
+  job.status = 'running';
+  let engine = null;
+  try{
+    engine = await startEngine();
+    if(plan.kind === 'fens'){
+      const positions = [];
+      for(const fen of plan.fens){
+        positions.push({ fen, analysis: await analyzeFen(engine, fen, plan.limits) });
+        job.done++;
+      }
+      job.result = { positions };
+    } else {
+      job.result = await analyzeGamePlan(engine, plan, job);
+    }
+    job.status = 'done';
+  }catch(err){
+    console.error('Error /api/analyze', err?.message||err);
+    job.status = 'error';
+    job.error = err.message||String(err);
+  }finally{
+    if(engine) engine.quit();
+    setTimeout(()=>jobs.delete(job.id), JOB_TTL).unref();
+  }
+}
+
+// Starts an analysis job: { pgn } | { fen?, moves: [san] } | { fens: [fen] }, plus depth or movetime.
+// Poll GET /api/analyze/:id for progress (done/total) and the result.
+app.post('/api/analyze', (req,res)=>{
+  let plan;
+  try{
+    checkRate(req.ip, 'analyze');
+    plan = buildPlan(req.body);
+    const pending = [...jobs.values()].filter(j=>j.status==='queued' || j.status==='running').length;
+    if(pending >= ANALYZE_MAX_JOBS){
+      const err = new HttpError(429, 'queue_full', 'The server engine is busy, try again later');
+      err.retryAfter = 60;
+      throw err;
+    }
+  }catch(err){
+    if(err instanceof HttpError) return sendError(res, err);
+    return res.status(400).json({ error: err.message });
+  }
+
+  const job = { id: crypto.randomUUID(), status:'queued', done:0, total: plan.total, result:null, error:null };
+  jobs.set(job.id, job);
+  jobQueue = jobQueue.then(()=>runJob(job, plan));
+  res.status(202).json({ id: job.id, status: job.status, total: job.total });
+});
+
+app.get('/api/analyze/:id', (req,res)=>{
+  const job = jobs.get(req.params.id);
+  if(!job) return res.status(404).json({ error:'Unknown analysis job' });
+  res.json(job);
+});
+
+// JSON errors for the API, including bodies express.json() could not parse
+app.use('/api', (err, req, res, next)=>{
+  if(err.type === 'entity.too.large') return sendError(res, new HttpError(413, 'payload_too_large', 'Request body is too large'));
+  if(err.type === 'entity.parse.failed') return sendError(res, new HttpError(400, 'invalid_json', 'Request body is not valid JSON'));
+  console.error('Error', req.path, err?.message||err);
+  res.status(err.status||500).json({ error: err.message||String(err), code: 'internal_error' });
+});
+
 const port = process.env.PORT||3000;
 app.listen(port, ()=>console.log('Server listening on port',port));